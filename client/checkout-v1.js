@@ -0,0 +1,280 @@
+/**
+ * SimpleSwap Exchange Pool - storefront checkout client
+ *
+ * Served by the pool server at /client/v1/checkout.js. Load it with a plain
+ * script tag and either mark up buttons declaratively:
+ *
+ *   <script src="https://YOUR-APP.onrender.com/client/v1/checkout.js" defer></script>
+ *   <div data-pool-checkout-price="59"></div>
+ *
+ * or drive it from code:
+ *
+ *   PoolCheckout.renderButton('#buy', { price: 59, label: 'Buy now' });
+ *   PoolCheckout.buy({ price: 59 }).then(result => ...);
+ *
+ * One Idempotency-Key per checkout makes every retry safe: the server hands
+ * back the same exchange instead of consuming a second one.
+ *
+ * @version 1.0.0
+ */
+(function () {
+    'use strict';
+
+    var VERSION = '1.0.0';
+    var ON_DEMAND_NOTICE_MS = 2500; // Pool hits answer well within this
+    var CHECKOUT_DEADLINE_MS = 5 * 60000; // A slow on-demand creation plus a few retries
+    var RETRY_DELAY_BASE_MS = 2000;
+    var RETRY_DELAY_MAX_MS = 30000;
+    var RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+    if (window.PoolCheckout && window.PoolCheckout.version) return;
+
+    var currentScript = document.currentScript;
+    var settings = {
+        serverUrl: currentScript && currentScript.src ? new URL(currentScript.src).origin : window.location.origin,
+        messages: {
+            idle: 'Buy for ${price}',
+            working: 'Preparing your exchange…',
+            onDemand: 'Creating a fresh exchange - this can take a few minutes ({elapsed}s)',
+            retrying: 'Connection hiccup - retrying…',
+            redirecting: 'Redirecting to SimpleSwap…',
+            unavailable: 'This price is not available right now',
+            failed: 'Checkout failed: {error}'
+        }
+    };
+    var configPromise = null;
+
+    function format(template, values) {
+        return template.replace(/\{(\w+)\}/g, function (match, name) {
+            return values[name] !== undefined ? values[name] : match;
+        });
+    }
+
+    function sleep(ms) {
+        return new Promise(function (resolve) { setTimeout(resolve, ms); });
+    }
+
+    function newIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+        var bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        return Array.prototype.map.call(bytes, function (b) { return ('0' + b.toString(16)).slice(-2); }).join('');
+    }
+
+    function CheckoutError(message, status, retryable) {
+        var error = new Error(message);
+        error.name = 'CheckoutError';
+        error.status = status || null;
+        error.retryable = Boolean(retryable);
+        return error;
+    }
+
+    /**
+     * Overrides defaults: serverUrl (when the script is self-hosted) and any of
+     * the button messages. Call before the first render or buy.
+     */
+    function configure(options) {
+        options = options || {};
+        if (options.serverUrl) {
+            settings.serverUrl = String(options.serverUrl).replace(/\/+$/, '');
+            configPromise = null;
+        }
+        if (options.messages) {
+            for (var key in options.messages) settings.messages[key] = options.messages[key];
+        }
+        return settings;
+    }
+
+    /**
+     * Prices and pools configured on the server, fetched once per page
+     */
+    function getConfig() {
+        if (!configPromise) {
+            configPromise = fetch(settings.serverUrl + '/client/v1/config', { headers: { Accept: 'application/json' } })
+                .then(function (response) {
+                    if (!response.ok) throw CheckoutError('Could not load checkout configuration (HTTP ' + response.status + ')', response.status, true);
+                    return response.json();
+                })
+                .catch(function (error) {
+                    configPromise = null; // Let the next call try again
+                    throw error;
+                });
+        }
+        return configPromise;
+    }
+
+    function getPrices() {
+        return getConfig().then(function (config) { return config.prices; });
+    }
+
+    function findPool(config, options) {
+        return config.pools.filter(function (pool) {
+            return options.poolId !== undefined ? pool.poolId === String(options.poolId) : pool.amount === Number(options.price);
+        })[0] || null;
+    }
+
+    function retryDelay(response, attempt) {
+        var header = response && response.headers.get('Retry-After');
+        var seconds = header ? parseInt(header, 10) : NaN;
+        if (!isNaN(seconds)) return seconds * 1000;
+        return Math.min(RETRY_DELAY_BASE_MS * Math.pow(2, attempt - 1), RETRY_DELAY_MAX_MS);
+    }
+
+    /**
+     * POSTs /buy-now, retrying network errors, 429 and 5xx with the same
+     * Idempotency-Key until CHECKOUT_DEADLINE_MS. Resolves with the server's
+     * JSON ({ exchangeUrl, poolStatus, ... }); redirects unless redirect: false.
+     * options: price or poolId, orderRef, redirect, onStatus(state, detail).
+     */
+    function buy(options) {
+        options = options || {};
+        var onStatus = typeof options.onStatus === 'function' ? options.onStatus : function () {};
+        var idempotencyKey = options.idempotencyKey || newIdempotencyKey();
+        var startedAt = Date.now();
+        var deadline = startedAt + CHECKOUT_DEADLINE_MS;
+        var body = { orderRef: options.orderRef };
+        if (options.poolId !== undefined) body.poolId = String(options.poolId);
+        else body.amountUSD = Number(options.price);
+
+        // Anything slower than a pool hit is an on-demand creation - say so, with a running clock
+        var ticker = setInterval(function () {
+            if (Date.now() - startedAt >= ON_DEMAND_NOTICE_MS) {
+                onStatus('on-demand', { elapsedSeconds: Math.round((Date.now() - startedAt) / 1000) });
+            }
+        }, 1000);
+        onStatus('working', {});
+
+        function attempt(number) {
+            return fetch(settings.serverUrl + '/buy-now', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+                body: JSON.stringify(body)
+            }).then(function (response) {
+                return response.json().catch(function () { return {}; }).then(function (data) {
+                    if (response.ok && data.success && data.exchangeUrl) return data;
+                    var retryable = RETRYABLE_STATUSES.indexOf(response.status) !== -1;
+                    var error = CheckoutError(data.error || 'HTTP ' + response.status, response.status, retryable);
+                    error.retryAfterMs = retryable ? retryDelay(response, number) : null;
+                    throw error;
+                });
+            }, function (networkError) {
+                var error = CheckoutError(networkError.message || 'Network error', null, true);
+                error.retryAfterMs = retryDelay(null, number);
+                throw error;
+            }).catch(function (error) {
+                if (!error.retryable || Date.now() + error.retryAfterMs >= deadline) throw error;
+                onStatus('retrying', { attempt: number, error: error.message });
+                return sleep(error.retryAfterMs).then(function () { return attempt(number + 1); });
+            });
+        }
+
+        return attempt(1).then(function (data) {
+            clearInterval(ticker);
+            onStatus('redirecting', data);
+            if (options.redirect !== false) window.location.assign(data.exchangeUrl);
+            return data;
+        }, function (error) {
+            clearInterval(ticker);
+            onStatus('failed', { error: error.message });
+            throw error;
+        });
+    }
+
+    /**
+     * Renders a buy button (plus a live status line) into target, an element
+     * or selector. options: price or poolId, label, className, orderRef,
+     * onSuccess(data) - return false to skip the redirect - and onError(error).
+     */
+    function renderButton(target, options) {
+        options = options || {};
+        var container = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!container) throw new Error('PoolCheckout: no element matches ' + target);
+
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = options.className || 'pool-checkout-button';
+        button.disabled = true;
+        var status = document.createElement('span');
+        status.className = 'pool-checkout-status';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        container.appendChild(button);
+        container.appendChild(status);
+
+        var idleLabel = options.label || settings.messages.working;
+        button.textContent = idleLabel;
+
+        function setStatus(state, detail) {
+            container.setAttribute('data-pool-checkout-state', state);
+            if (state === 'working') button.textContent = settings.messages.working;
+            if (state === 'on-demand') status.textContent = format(settings.messages.onDemand, { elapsed: detail.elapsedSeconds });
+            if (state === 'retrying') status.textContent = settings.messages.retrying;
+            if (state === 'redirecting') status.textContent = settings.messages.redirecting;
+            if (state === 'failed') status.textContent = format(settings.messages.failed, { error: detail.error });
+        }
+
+        getConfig().then(function (config) {
+            var pool = findPool(config, options);
+            if (!pool || !pool.available) {
+                status.textContent = settings.messages.unavailable;
+                setStatus('unavailable', {});
+                return;
+            }
+            if (!options.label) idleLabel = format(settings.messages.idle, { price: pool.amount });
+            button.textContent = idleLabel;
+            button.disabled = false;
+            setStatus('idle', {});
+        }, function (error) {
+            status.textContent = format(settings.messages.failed, { error: error.message });
+        });
+
+        button.addEventListener('click', function () {
+            button.disabled = true;
+            status.textContent = '';
+            buy({
+                price: options.price,
+                poolId: options.poolId,
+                orderRef: typeof options.orderRef === 'function' ? options.orderRef() : options.orderRef,
+                redirect: false,
+                onStatus: setStatus
+            }).then(function (data) {
+                var proceed = typeof options.onSuccess === 'function' ? options.onSuccess(data) : undefined;
+                if (proceed !== false) window.location.assign(data.exchangeUrl);
+            }, function (error) {
+                button.disabled = false;
+                button.textContent = idleLabel;
+                if (typeof options.onError === 'function') options.onError(error);
+            });
+        });
+
+        return button;
+    }
+
+    // <div data-pool-checkout-price="59" data-pool-checkout-label="Buy"></div>
+    function mountDeclaredButtons() {
+        var nodes = document.querySelectorAll('[data-pool-checkout-price], [data-pool-checkout-pool]');
+        Array.prototype.forEach.call(nodes, function (node) {
+            if (node.getAttribute('data-pool-checkout-mounted')) return;
+            node.setAttribute('data-pool-checkout-mounted', 'true');
+            renderButton(node, {
+                price: node.getAttribute('data-pool-checkout-price') || undefined,
+                poolId: node.getAttribute('data-pool-checkout-pool') || undefined,
+                label: node.getAttribute('data-pool-checkout-label') || undefined,
+                orderRef: node.getAttribute('data-pool-checkout-order-ref') || undefined
+            });
+        });
+    }
+
+    window.PoolCheckout = {
+        version: VERSION,
+        configure: configure,
+        getConfig: getConfig,
+        getPrices: getPrices,
+        buy: buy,
+        renderButton: renderButton,
+        mount: mountDeclaredButtons
+    };
+
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', mountDeclaredButtons);
+    else mountDeclaredButtons();
+})();
@@ -0,0 +1,54 @@
+// /buy-now idempotent retries: replayed through rate limits and pool changes. Uses the mock provider.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buy, waitFor, withServer } from './helpers.js';
+
+function buyWithKey(server, idempotencyKey, body) {
+    return buy(server, body, { 'Idempotency-Key': idempotencyKey });
+}
+
+test('retries with an answered Idempotency-Key do not use up the rate limit', async () => {
+    await withServer({ EXCHANGE_PROVIDER: 'mock', RATE_LIMIT_IP_MAX: '2' }, async server => {
+        await waitFor(async () => (await server.poolSize()) === 2, { what: 'pool to fill' });
+
+        const first = await buyWithKey(server, 'order-1');
+        assert.equal(first.status, 200);
+        const { exchangeUrl } = await first.json();
+
+        for (let i = 0; i < 3; i++) {
+            const retry = await buyWithKey(server, 'order-1');
+            assert.equal(retry.status, 200);
+            assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+            assert.equal((await retry.json()).exchangeUrl, exchangeUrl);
+        }
+
+        assert.equal((await buyWithKey(server, 'order-2')).status, 200);
+        assert.equal((await buyWithKey(server, 'order-3')).status, 429);
+    });
+});
+
+test('retries of a completed sale replay after its pool is paused or removed', async () => {
+    await withServer({ EXCHANGE_PROVIDER: 'mock' }, async server => {
+        await waitFor(async () => (await server.poolSize()) === 2, { what: 'pool to fill' });
+        assert.equal((await server.json('POST', '/admin/pools', { amount: 49, size: 1 })).status, 201);
+        await waitFor(async () => (await server.poolSize('49')) === 1, { what: 'pool 49 to fill' });
+
+        const sold = await (await buyWithKey(server, 'order-1')).json();
+        const soldFromRemoved = await (await buyWithKey(server, 'order-2', { poolId: '49' })).json();
+
+        assert.equal((await server.json('POST', '/admin/pools/19/pause')).status, 200);
+        assert.equal((await server.json('DELETE', '/admin/pools/49')).status, 200);
+
+        const retry = await buyWithKey(server, 'order-1');
+        assert.equal(retry.status, 200);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+        assert.equal((await retry.json()).exchangeUrl, sold.exchangeUrl);
+
+        const retryRemoved = await buyWithKey(server, 'order-2', { poolId: '49' });
+        assert.equal(retryRemoved.status, 200);
+        assert.equal((await retryRemoved.json()).exchangeUrl, soldFromRemoved.exchangeUrl);
+
+        assert.equal((await buyWithKey(server, 'order-3')).status, 503);
+        assert.equal((await buyWithKey(server, 'order-4', { poolId: '49' })).status, 400);
+    });
+});
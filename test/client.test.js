@@ -0,0 +1,110 @@
+// Storefront client script: served config, and the buy button driven in
+// Chromium from a fake storefront origin against the mock provider.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { chromium } from 'playwright';
+import { chromiumSkipReason, waitFor, withServer } from './helpers.js';
+
+// The storefront is a real loopback server: Chromium won't let a page it
+// considers public call the pool server on 127.0.0.1
+let storefront;
+let storefrontMarkup = '';
+let STOREFRONT;
+let CLIENT_ENV;
+let poolServerUrl;
+
+before(async () => {
+    storefront = createServer((req, res) => {
+        const url = new URL(req.url, STOREFRONT);
+        res.setHeader('Content-Type', 'text/html');
+        res.end(url.pathname === '/exchange'
+            ? `<h1>Exchange ${url.searchParams.get('id')}</h1>`
+            : `<!DOCTYPE html><html><body>${storefrontMarkup}<script src="${poolServerUrl}/client/v1/checkout.js"></script></body></html>`);
+    });
+    await new Promise(resolve => storefront.listen(0, '127.0.0.1', resolve));
+    STOREFRONT = `http://127.0.0.1:${storefront.address().port}`;
+    CLIENT_ENV = {
+        EXCHANGE_PROVIDER: 'mock',
+        PRICE_POINTS: '19,29',
+        ALLOWED_ORIGINS: STOREFRONT,
+        MOCK_EXCHANGE_BASE_URL: `${STOREFRONT}/exchange`
+    };
+});
+
+after(() => new Promise(resolve => storefront.close(resolve)));
+
+const skipBrowser = await chromiumSkipReason();
+
+/**
+ * Opens a storefront product page with markup that loads the client from
+ * server. Exchange URLs resolve to a stub page so the redirect can be observed.
+ */
+async function openStorefront(browser, server, markup) {
+    poolServerUrl = server.baseUrl;
+    storefrontMarkup = markup;
+    const page = await browser.newPage();
+    await page.goto(`${STOREFRONT}/product`);
+    return page;
+}
+
+test('client config lists the configured price points', async () => {
+    await withServer(CLIENT_ENV, async server => {
+        const response = await fetch(`${server.baseUrl}/client/v1/config`, { headers: { Origin: STOREFRONT } });
+        assert.equal(response.headers.get('access-control-allow-origin'), STOREFRONT);
+        const config = await response.json();
+        assert.deepEqual(config.prices, [19, 29]);
+        assert.deepEqual(config.pools.map(pool => [pool.poolId, pool.available]), [['19', true], ['29', true]]);
+
+        await server.json('POST', '/admin/pools/29/pause');
+        const paused = await (await fetch(`${server.baseUrl}/client/v1/config`)).json();
+        assert.equal(paused.pools.find(pool => pool.poolId === '29').available, false);
+
+        const script = await fetch(`${server.baseUrl}/client/v1/checkout.js`);
+        assert.match(script.headers.get('content-type'), /javascript/);
+        assert.match(await script.text(), /window\.PoolCheckout = /);
+    });
+});
+
+test('buy button redirects to the exchange it bought', { skip: skipBrowser, timeout: 60000 }, async () => {
+    await withServer(CLIENT_ENV, async server => {
+        await waitFor(async () => (await server.poolSize()) > 0, { what: 'pool to fill' });
+        const browser = await chromium.launch();
+        try {
+            const page = await openStorefront(browser, server, '<div id="buy" data-pool-checkout-price="19"></div><div id="gone" data-pool-checkout-price="99"></div>');
+            const button = page.locator('#buy button');
+            await assert.doesNotReject(button.filter({ hasText: 'Buy for $19' }).waitFor());
+            assert.equal(await page.locator('#gone button').isDisabled(), true);
+            assert.match(await page.locator('#gone [role=status]').innerText(), /not available/);
+
+            await button.click();
+            await page.waitForURL(/\/exchange\?id=mock19x/);
+        } finally {
+            await browser.close();
+        }
+    });
+});
+
+test('buy() retries a dropped request with the same Idempotency-Key', { skip: skipBrowser, timeout: 60000 }, async () => {
+    await withServer(CLIENT_ENV, async server => {
+        await waitFor(async () => (await server.poolSize()) > 0, { what: 'pool to fill' });
+        const browser = await chromium.launch();
+        try {
+            const page = await openStorefront(browser, server, '');
+            const keys = [];
+            await page.route(`${server.baseUrl}/buy-now`, route => {
+                const request = route.request();
+                if (request.method() !== 'POST') return route.continue();
+                keys.push(request.headers()['idempotency-key']);
+                return keys.length === 1 ? route.abort('connectionreset') : route.continue();
+            });
+
+            const result = await page.evaluate(() => window.PoolCheckout.buy({ price: 19, redirect: false }));
+            assert.match(result.exchangeUrl, /id=mock19x/);
+            assert.equal(keys.length, 2);
+            assert.equal(keys[0], keys[1]);
+        } finally {
+            await browser.close();
+        }
+    });
+});
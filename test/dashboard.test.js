@@ -0,0 +1,117 @@
+// Admin dashboard: Basic auth for browsers, role-gated actions and form tokens.
+// Uses the mock provider, so no browser is needed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ADMIN_KEY, waitFor, withServer } from './helpers.js';
+
+const READONLY_KEY = 'test-readonly-key';
+const DASHBOARD_ENV = {
+    EXCHANGE_PROVIDER: 'mock',
+    ADMIN_API_KEYS: `operator:${ADMIN_KEY},readonly:${READONLY_KEY}`,
+    POOL_SIZE_PER_PRICE: '3'
+};
+
+function basic(key) {
+    return { Authorization: `Basic ${Buffer.from(`admin:${key}`).toString('base64')}` };
+}
+
+function postForm(server, route, key, fields) {
+    const body = new URLSearchParams();
+    for (const [name, value] of Object.entries(fields)) {
+        for (const item of [].concat(value)) body.append(name, item);
+    }
+    return fetch(server.baseUrl + route, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: { ...basic(key), 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+    });
+}
+
+function formToken(html) {
+    return /name="_csrf" value="([0-9a-f]+)"/.exec(html)?.[1];
+}
+
+test('dashboard asks browsers for Basic credentials', async () => {
+    await withServer(DASHBOARD_ENV, async server => {
+        const response = await fetch(`${server.baseUrl}/admin/dashboard`);
+        assert.equal(response.status, 401);
+        assert.match(response.headers.get('www-authenticate'), /^Basic realm=/);
+
+        const wrongKey = await fetch(`${server.baseUrl}/admin/dashboard`, { headers: basic('not-a-key') });
+        assert.equal(wrongKey.status, 401);
+    });
+});
+
+test('Basic credentials only open the dashboard, not the JSON admin routes', async () => {
+    await withServer(DASHBOARD_ENV, async server => {
+        // A cross-site form post carrying the browser's cached dashboard login
+        const drain = await fetch(`${server.baseUrl}/admin/pools/19/drain`, {
+            method: 'POST',
+            headers: { ...basic(ADMIN_KEY), Origin: 'https://evil.example', 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: ''
+        });
+        assert.equal(drain.status, 401);
+        assert.equal(drain.headers.get('www-authenticate'), 'Bearer');
+
+        const stats = await fetch(`${server.baseUrl}/admin/stats`, { headers: basic(ADMIN_KEY) });
+        assert.equal(stats.status, 401);
+
+        const { body } = await server.json('GET', '/admin/pools');
+        assert.equal(body.configs.find(config => config.id === '19').status, 'active');
+    });
+});
+
+test('read-only keys see the dashboard without actions', async () => {
+    await withServer(DASHBOARD_ENV, async server => {
+        const response = await fetch(`${server.baseUrl}/admin/dashboard`, { headers: basic(READONLY_KEY) });
+        assert.equal(response.status, 200);
+        const html = await response.text();
+        assert.match(html, /Read-only key - actions hidden/);
+        assert.equal(formToken(html), undefined);
+
+        const fill = await postForm(server, '/admin/dashboard/fill', READONLY_KEY, {});
+        assert.equal(fill.status, 403);
+    });
+});
+
+test('operators remove pooled exchanges from the dashboard and the pool refills', async () => {
+    await withServer(DASHBOARD_ENV, async (server, dir) => {
+        await waitFor(async () => (await server.poolSize()) === 3, { what: 'pool to fill' });
+
+        const html = await (await fetch(`${server.baseUrl}/admin/dashboard`, { headers: basic(ADMIN_KEY) })).text();
+        const token = formToken(html);
+        assert.ok(token, 'operator dashboard should carry a form token');
+        assert.match(html, /Recent creations/);
+        const [target] = [...html.matchAll(/name="exchangeId" value="([^"]+)"/g)].map(match => match[1]);
+
+        const forged = await postForm(server, '/admin/dashboard/remove', ADMIN_KEY, { poolId: '19', exchangeId: target });
+        assert.equal(forged.status, 403);
+
+        const removed = await postForm(server, '/admin/dashboard/remove', ADMIN_KEY, { _csrf: token, poolId: '19', exchangeId: [target, 'not-pooled'] });
+        assert.equal(removed.status, 303);
+        assert.match(decodeURIComponent(removed.headers.get('location')), /Removed 1 of 2 selected/);
+
+        const retired = await readFile(path.join(dir, 'retired-exchanges.jsonl'), 'utf8');
+        assert.match(retired, new RegExp(`"exchangeId":"${target}"`));
+
+        await waitFor(async () => (await server.poolSize()) === 3, { what: 'pool to refill' });
+        const { body } = await server.json('GET', '/admin/pools');
+        assert.ok(!body.pools['19'].some(exchange => exchange.exchangeId === target));
+    });
+});
+
+test('DELETE /admin/pools/:poolId/exchanges/:exchangeId pulls one exchange', async () => {
+    await withServer(DASHBOARD_ENV, async server => {
+        await waitFor(async () => (await server.poolSize()) === 3, { what: 'pool to fill' });
+        const { body } = await server.json('GET', '/admin/pools');
+        const target = body.pools['19'][0].exchangeId;
+
+        assert.equal((await server.json('DELETE', '/admin/pools/19/exchanges/not-pooled')).status, 404);
+        const removed = await server.json('DELETE', `/admin/pools/19/exchanges/${target}`);
+        assert.equal(removed.status, 200);
+        assert.equal(removed.body.exchangeId, target);
+    });
+});
@@ -0,0 +1,173 @@
+// Shared by the test files: runs pool-server.js as a child process in a
+// throwaway directory and talks to it over HTTP.
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chromium } from 'playwright';
+
+const SERVER_FILE = fileURLToPath(new URL('../pool-server.js', import.meta.url));
+export const ADMIN_KEY = 'test-operator-key';
+
+/**
+ * false when Chromium launches here, otherwise the reason browser tests skip
+ */
+export async function chromiumSkipReason() {
+    try {
+        const browser = await chromium.launch();
+        await browser.close();
+        return false;
+    } catch (error) {
+        return 'Chromium not installed - run `npx playwright install chromium`';
+    }
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+export async function waitFor(check, { timeout = 120000, interval = 500, what = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    let last;
+    while (Date.now() < deadline) {
+        try {
+            last = await check();
+            if (last) return last;
+        } catch (error) {
+            last = error;
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+    throw new Error(`Timed out waiting for ${what} (last: ${last instanceof Error ? last.message : JSON.stringify(last)})`);
+}
+
+/**
+ * Starts pool-server.js in dir (all state files land there) and resolves once
+ * /health answers. stop() sends SIGTERM and waits for the graceful exit;
+ * crash() kills it without one.
+ */
+export async function startServer(dir, env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER_FILE], {
+        cwd: dir,
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            PORT: String(port),
+            EXCHANGE_PROVIDER: 'simulator',
+            ADMIN_API_KEYS: `operator:${ADMIN_KEY}`,
+            PRICE_POINTS: '19',
+            POOL_SIZE_PER_PRICE: '2',
+            MIN_POOL_SIZE: '1',
+            ADAPTIVE_SIZING: 'false',
+            VALIDATION_ENABLED: 'false',
+            PAYMENT_TRACKING_ENABLED: 'false',
+            SHUTDOWN_GRACE_SECONDS: '5',
+            LOG_LEVEL: 'warn',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const server = {
+        baseUrl,
+        get output() { return output; },
+        request(method, route, body, headers = {}) {
+            return fetch(baseUrl + route, {
+                method,
+                redirect: 'manual',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}`, ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        },
+        async json(method, route, body) {
+            const response = await server.request(method, route, body);
+            return { status: response.status, body: await response.json() };
+        },
+        async poolSize(poolId = '19') {
+            const { body } = await server.json('GET', '/health');
+            return body.pools[poolId];
+        },
+        async stop() {
+            if (child.exitCode === null) child.kill('SIGTERM');
+            return exited;
+        },
+        // SIGKILL: no graceful shutdown, as after a crash or OOM kill
+        async crash() {
+            if (child.exitCode === null) child.kill('SIGKILL');
+            return exited;
+        }
+    };
+
+    try {
+        // Stop waiting as soon as the server exits instead (e.g. refusing a busy STATE_DIR)
+        await waitFor(() => child.exitCode !== null || server.request('GET', '/health').then(res => res.ok), { timeout: 30000, what: 'server start' });
+        if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    } catch (error) {
+        child.kill('SIGKILL');
+        throw new Error(`${error.message}\n${output}`);
+    }
+    return server;
+}
+
+/**
+ * Runs fn(dir) with a throwaway directory shared by every server it starts,
+ * for tests that restart the server on the same state files
+ */
+export async function withStateDir(fn) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'pool-test-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * One server run on dir: starts it, resolves with fn(server) and stops it
+ * again, failing unless it shuts down cleanly. Failures carry the server output.
+ */
+export async function runServer(dir, env, fn) {
+    const server = await startServer(dir, env);
+    let result;
+    try {
+        result = await fn(server);
+    } catch (error) {
+        await server.stop();
+        error.message += `\n--- server output ---\n${server.output}`;
+        throw error;
+    }
+    const code = await server.stop();
+    if (code !== 0) throw new Error(`Server exited with code ${code}\n--- server output ---\n${server.output}`);
+    return result;
+}
+
+export async function withServer(env, fn) {
+    await withStateDir(dir => runServer(dir, env, server => fn(server, dir)));
+}
+
+/**
+ * POST /buy-now, by default for the 19 USD pool; resolves with the raw response
+ */
+export function buy(server, body = { amountUSD: 19 }, headers = {}) {
+    return fetch(`${server.baseUrl}/buy-now`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
@@ -0,0 +1,117 @@
+// Order ledger: history beyond the in-memory window is read from orders.jsonl,
+// and exchange URLs are shown to operators only. Uses the mock provider.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ADMIN_KEY, buy, runServer, waitFor, withServer, withStateDir } from './helpers.js';
+
+const READONLY_KEY = 'test-readonly-key';
+const ORDER_ENV = {
+    EXCHANGE_PROVIDER: 'mock',
+    ADMIN_API_KEYS: `operator:${ADMIN_KEY},readonly:${READONLY_KEY}`
+};
+// More than the server keeps in memory
+const HISTORY_SIZE = 6000;
+
+function historicOrder(i) {
+    return {
+        orderId: `ord_old${i}`,
+        exchangeId: `old${i}`,
+        exchangeUrl: `https://simpleswap.io/exchange?id=old${i}`,
+        poolKey: '19',
+        tenant: 'default',
+        pricePoint: 19,
+        source: 'pool',
+        responseTimeMs: 5,
+        origin: null,
+        orderRef: null,
+        timestamp: new Date(Date.UTC(2026, 0, 1) + i * 60000).toISOString()
+    };
+}
+
+async function readonly(server, route) {
+    const response = await server.request('GET', route, undefined, { Authorization: `Bearer ${READONLY_KEY}` });
+    assert.equal(response.status, 200);
+    return response;
+}
+
+test('orders older than the in-memory window are paged from orders.jsonl', async () => {
+    await withStateDir(async dir => {
+        const lines = Array.from({ length: HISTORY_SIZE }, (_, i) => JSON.stringify(historicOrder(i)) + '\n');
+        await writeFile(path.join(dir, 'orders.jsonl'), lines.join(''));
+
+        await runServer(dir, ORDER_ENV, async server => {
+            const { body: oldest } = await server.json('GET', `/admin/orders?limit=2&offset=${HISTORY_SIZE - 2}`);
+            assert.equal(oldest.total, HISTORY_SIZE);
+            assert.deepEqual(oldest.orders.map(order => order.orderId), ['ord_old1', 'ord_old0']);
+
+            const { body: newest } = await server.json('GET', '/admin/orders?limit=1');
+            assert.equal(newest.orders[0].orderId, `ord_old${HISTORY_SIZE - 1}`);
+
+            const { status, body: single } = await server.json('GET', '/admin/orders/old0');
+            assert.equal(status, 200);
+            assert.equal(single.order.orderId, 'ord_old0');
+
+            const exported = await (await server.request('GET', '/admin/orders/export?to=2026-01-01T00:09:30Z')).json();
+            assert.equal(exported.length, 10);
+        });
+    });
+});
+
+test('read-only keys see orders and payments without exchange URLs', async () => {
+    await withServer({ ...ORDER_ENV, PAYMENT_TRACKING_ENABLED: 'true' }, async server => {
+        await waitFor(async () => (await server.poolSize()) > 0, { what: 'pool to fill' });
+        const purchase = await (await buy(server)).json();
+        const exchangeId = purchase.exchangeUrl.split('id=')[1];
+
+        const { body: operatorView } = await server.json('GET', '/admin/orders');
+        assert.equal(operatorView.orders[0].exchangeUrl, purchase.exchangeUrl);
+
+        const { orders } = await (await readonly(server, '/admin/orders')).json();
+        assert.equal(orders[0].exchangeId, exchangeId);
+        assert.equal(orders[0].exchangeUrl, undefined);
+
+        const { order, payment } = await (await readonly(server, `/admin/orders/${exchangeId}`)).json();
+        assert.equal(order.exchangeUrl, undefined);
+        assert.equal(payment.exchangeUrl, undefined);
+
+        const csv = await (await readonly(server, '/admin/orders/export?format=csv')).text();
+        assert.doesNotMatch(csv, /exchangeUrl|https?:/);
+        assert.match(csv, new RegExp(exchangeId));
+
+        const { exchanges } = await (await readonly(server, '/admin/payments')).json();
+        assert.equal(exchanges[0].exchangeUrl, undefined);
+        const tracked = await (await readonly(server, `/admin/payments/${exchangeId}`)).json();
+        assert.equal(tracked.exchange.exchangeUrl, undefined);
+    });
+});
+
+test('quarantine entries show exchange URLs to operators only, and never on /health', async () => {
+    await withStateDir(async dir => {
+        const entry = {
+            poolKey: '19',
+            exchangeId: 'bad1',
+            exchangeUrl: 'https://simpleswap.io/exchange?id=bad1',
+            created: new Date().toISOString(),
+            status: 'expired',
+            reason: 'status expired',
+            source: 'scheduled',
+            quarantinedAt: new Date().toISOString()
+        };
+        await writeFile(path.join(dir, 'quarantine.jsonl'), JSON.stringify(entry) + '\n');
+
+        await runServer(dir, ORDER_ENV, async server => {
+            const health = await (await fetch(`${server.baseUrl}/health`)).json();
+            assert.equal(health.validation.recentQuarantine[0].exchangeId, 'bad1');
+            assert.equal(health.validation.recentQuarantine[0].exchangeUrl, undefined);
+
+            const { entries } = await (await readonly(server, '/admin/quarantine')).json();
+            assert.equal(entries[0].exchangeId, 'bad1');
+            assert.equal(entries[0].exchangeUrl, undefined);
+
+            const { body: operatorView } = await server.json('GET', '/admin/quarantine');
+            assert.equal(operatorView.entries[0].exchangeUrl, entry.exchangeUrl);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+// Payment tracking and merchant webhooks: delivered exchanges are polled through
+// the mock provider and status changes are POSTed to a loopback receiver.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { buy, waitFor, withServer } from './helpers.js';
+
+let receiver;
+let events = [];
+let deliveries = [];
+let WEBHOOK_URL;
+
+before(async () => {
+    receiver = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            events.push(JSON.parse(body));
+            deliveries.push({ path: req.url, signature: req.headers['x-pool-signature'], body });
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    WEBHOOK_URL = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+function trackingEnv(overrides) {
+    events = [];
+    deliveries = [];
+    return {
+        EXCHANGE_PROVIDER: 'mock',
+        PAYMENT_TRACKING_ENABLED: 'true',
+        STATUS_CHECK_INTERVAL_MINUTES: '0.02',
+        WEBHOOK_URLS: WEBHOOK_URL,
+        ...overrides
+    };
+}
+
+async function buyExchangeId(server) {
+    const response = await buy(server);
+    return (await response.json()).exchangeUrl.split('id=')[1];
+}
+
+test('status changes reach the webhook in order until finished', async () => {
+    await withServer(trackingEnv({ MOCK_STATUS_STEP_MS: '1500' }), async server => {
+        await waitFor(async () => (await server.poolSize()) > 0, { what: 'pool to fill' });
+        const exchangeId = await buyExchangeId(server);
+
+        await waitFor(() => events.some(event => event.data.status === 'finished'), { what: 'finished webhook' });
+        const statuses = events.filter(event => event.data.exchangeId === exchangeId).map(event => event.data.status);
+        assert.deepEqual(statuses.filter((status, i) => status !== statuses[i - 1]), statuses, 'no repeated statuses');
+        assert.equal(statuses.at(-1), 'finished');
+        assert.ok(events.every(event => event.type === 'exchange.status_changed'));
+    });
+});
+
+test('tracking that runs out reports the last seen status, not expired', async () => {
+    await withServer(trackingEnv({ MOCK_STATUS_STEP_MS: '3600000', STATUS_TRACKING_MAX_HOURS: '0.001' }), async server => {
+        await waitFor(async () => (await server.poolSize()) > 0, { what: 'pool to fill' });
+        const exchangeId = await buyExchangeId(server);
+
+        await waitFor(() => events.length > 0, { what: 'tracking_stopped webhook' });
+        assert.deepEqual(events.map(event => [event.type, event.data.status]), [['exchange.tracking_stopped', 'waiting']]);
+
+        const { body } = await server.json('GET', `/admin/payments/${exchangeId}`);
+        assert.equal(body.exchange.status, 'waiting');
+        assert.ok(body.exchange.trackingEndedAt);
+    });
+});
+
+function signedWith(secret, { signature, body }) {
+    const [, t, v1] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(signature || '') || [];
+    return Boolean(v1) && createHmac('sha256', secret).update(`${t}.${body}`).digest('hex') === v1;
+}
+
+test('tenant webhooks are signed with the tenant secret, operator webhooks with WEBHOOK_SECRET', async () => {
+    const tenantSecret = 'whsec_tenant_0123456789';
+    const operatorSecret = 'whsec_operator_0123456789';
+    await withServer(trackingEnv({
+        MOCK_STATUS_STEP_MS: '1500',
+        WEBHOOK_URLS: `${WEBHOOK_URL}?to=operator`,
+        WEBHOOK_SECRET: operatorSecret,
+        TENANTS: JSON.stringify([{ id: 'default', webhookUrls: [`${WEBHOOK_URL}?to=tenant`], webhookSecret: tenantSecret }])
+    }), async server => {
+        await waitFor(async () => (await server.poolSize()) > 0, { what: 'pool to fill' });
+        await buyExchangeId(server);
+
+        await waitFor(() => ['operator', 'tenant'].every(to => deliveries.some(d => d.path.endsWith(`to=${to}`))), { what: 'both webhooks' });
+        for (const delivery of deliveries) {
+            const isOperator = delivery.path.endsWith('to=operator');
+            assert.equal(signedWith(operatorSecret, delivery), isOperator, `${delivery.path} operator signature`);
+            assert.equal(signedWith(tenantSecret, delivery), !isOperator, `${delivery.path} tenant signature`);
+        }
+    });
+});
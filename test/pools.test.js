@@ -0,0 +1,42 @@
+// Runtime pool management and startup with saved pools. Uses the mock provider.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buy, runServer, waitFor, withServer, withStateDir } from './helpers.js';
+
+const POOL_ENV = { EXCHANGE_PROVIDER: 'mock', POOL_SIZE_PER_PRICE: '3' };
+
+test('a saved pool above its target does not abort startup', async () => {
+    await withStateDir(async dir => {
+        await runServer(dir, POOL_ENV, async first => {
+            await waitFor(async () => (await first.poolSize()) === 3, { what: 'pool to fill' });
+            assert.equal((await first.json('PATCH', '/admin/pools/19', { size: 1, minSize: 1 })).status, 200);
+        });
+
+        await runServer(dir, POOL_ENV, async second => {
+            assert.equal(await second.poolSize(), 3);
+            const purchase = await buy(second);
+            assert.equal(purchase.status, 200);
+            assert.doesNotMatch(second.output, /Startup error/);
+        });
+    });
+});
+
+test('an on-demand sale completes when its pool is removed meanwhile', async () => {
+    await withServer({ ...POOL_ENV, MOCK_PROVIDER_DELAY_MS: '1500' }, async server => {
+        assert.equal((await server.json('POST', '/admin/pools', { amount: 49, size: 1 })).status, 201);
+
+        const sale = buy(server, { poolId: '49' });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal((await server.json('DELETE', '/admin/pools/49')).status, 200);
+
+        const response = await sale;
+        assert.equal(response.status, 200);
+        const purchase = await response.json();
+        assert.equal(purchase.poolStatus, 'on-demand');
+        assert.equal(purchase.amount, 49);
+
+        const { body: orders } = await server.json('GET', '/admin/orders?pricePoint=49');
+        assert.equal(orders.total, 1);
+        assert.equal(orders.orders[0].tenant, 'default');
+    });
+});
@@ -0,0 +1,80 @@
+// Reports: hourly/daily aggregates per price point, persisted across restarts
+// and rebuilt from the order ledger when reports.json is missing. Mock provider.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'node:fs/promises';
+import path from 'node:path';
+import { buy, runServer, waitFor, withStateDir } from './helpers.js';
+
+const REPORT_ENV = {
+    EXCHANGE_PROVIDER: 'mock',
+    PRICE_POINTS: '19,29',
+    POOL_SIZE_PER_PRICE: '1',
+    // Slow enough that a second purchase finds the pool still empty
+    MOCK_PROVIDER_DELAY_MS: '300',
+    MOCK_PROVIDER_FAIL_EVERY: '4'
+};
+
+async function buyJson(server, amountUSD) {
+    return (await buy(server, { amountUSD })).json();
+}
+
+function totalsFor(report, pricePoint) {
+    return report.totals.find(row => row.pricePoint === pricePoint);
+}
+
+test('reports aggregate sales and creations per price point across restarts', async () => {
+    await withStateDir(async dir => {
+        await runServer(dir, REPORT_ENV, async first => {
+            await waitFor(async () => (await first.poolSize('19')) === 1 && (await first.poolSize('29')) === 1, { what: 'pools to fill' });
+            assert.equal((await buyJson(first, 19)).poolStatus, 'instant');
+            assert.equal((await buyJson(first, 19)).poolStatus, 'on-demand');
+            await waitFor(async () => (await first.poolSize('19')) === 1, { what: 'pool to refill' });
+
+            const { status, body: hourly } = await first.json('GET', '/admin/reports/hourly');
+            assert.equal(status, 200);
+            const sales = totalsFor(hourly, 19);
+            assert.equal(sales.consumptions, 2);
+            assert.equal(sales.poolHits, 1);
+            assert.equal(sales.onDemand, 1);
+            assert.equal(sales.poolHitRate, 0.5);
+            assert.ok(sales.avgBuyNowMs >= 150, `avgBuyNowMs ${sales.avgBuyNowMs}`);
+            assert.equal(sales.browserSessions, 0); // the mock provider opens no browsers
+
+            const creations = hourly.totals.reduce((sum, row) => sum + row.creationAttempts, 0);
+            const failures = hourly.totals.reduce((sum, row) => sum + row.creationFailures, 0);
+            assert.ok(creations >= 4, `${creations} creation attempts`);
+            assert.ok(failures >= 1, `${failures} creation failures`);
+            assert.deepEqual(hourly.rows.map(row => row.pricePoint).sort(), [19, 29]);
+
+            const { body: daily } = await first.json('GET', '/admin/reports/daily?pricePoint=19&groupBy=pool');
+            assert.deepEqual(daily.totals.map(row => [row.pool, row.consumptions]), [['19', 2]]);
+
+            const csv = await first.request('GET', '/admin/reports/daily?format=csv');
+            assert.match(csv.headers.get('content-disposition'), /attachment; filename="report-daily-/);
+            const [header, ...lines] = (await csv.text()).trim().split('\n');
+            assert.equal(header.split(',').slice(0, 4).join(','), 'start,pricePoint,consumptions,poolHits');
+            assert.equal(lines.length, 2);
+
+            assert.equal((await first.json('GET', '/admin/reports/hourly?from=yesterday')).status, 400);
+            assert.equal((await first.json('GET', '/admin/reports/hourly?groupBy=wallet')).status, 400);
+            const future = await first.json('GET', '/admin/reports/hourly?from=2099-01-01&to=2099-01-02');
+            assert.deepEqual(future.body.rows, []);
+        });
+
+        await runServer(dir, REPORT_ENV, async second => {
+            const { body } = await second.json('GET', '/admin/reports/daily');
+            assert.equal(totalsFor(body, 19).consumptions, 2);
+            assert.ok(totalsFor(body, 19).creationAttempts >= 2);
+        });
+
+        // Without reports.json the sales side comes back from orders.jsonl
+        await rm(path.join(dir, 'reports.json'));
+        await runServer(dir, REPORT_ENV, async third => {
+            const { body } = await third.json('GET', '/admin/reports/hourly');
+            assert.equal(totalsFor(body, 19).consumptions, 2);
+            assert.equal(totalsFor(body, 19).onDemand, 1);
+            assert.equal(totalsFor(body, 19).creationAttempts, 0);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+// Reservations survive a crash: holds are saved to reservations.json, so a
+// killed server restores them on restart. Uses the mock provider.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { runServer, startServer, waitFor, withStateDir } from './helpers.js';
+
+const RESERVE_ENV = { EXCHANGE_PROVIDER: 'mock', RESERVATION_TTL_SECONDS: '10' };
+
+async function pooledIds(server) {
+    const { body } = await server.json('GET', '/admin/pools');
+    return body.pools['19'].map(exchange => exchange.exchangeId);
+}
+
+async function reserve(server) {
+    const response = await fetch(`${server.baseUrl}/reserve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amountUSD: 19 })
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+}
+
+async function holdAndCrash(dir, env) {
+    const first = await startServer(dir, env);
+    try {
+        await waitFor(async () => (await first.poolSize()) === 2, { what: 'pool to fill' });
+        const [held] = await pooledIds(first);
+        const { reservationId, expiresAt } = await reserve(first);
+        // Crash only once exchange-pool.json no longer lists the held exchange
+        await waitFor(async () => !(await readFile(path.join(dir, 'exchange-pool.json'), 'utf8')).includes(held), { what: 'pool snapshot without the hold' });
+        return { held, reservationId, expiresAt };
+    } finally {
+        await first.crash();
+    }
+}
+
+test('an unexpired hold can still be confirmed after a crash', async () => {
+    await withStateDir(async dir => {
+        const { held, reservationId } = await holdAndCrash(dir, { ...RESERVE_ENV, RESERVATION_TTL_SECONDS: '600' });
+
+        await runServer(dir, RESERVE_ENV, async second => {
+            assert.ok(!(await pooledIds(second)).includes(held), 'the held exchange is back in the pool');
+            const confirm = await second.json('POST', `/reserve/${reservationId}/confirm`);
+            assert.equal(confirm.status, 200);
+            assert.ok(confirm.body.exchangeUrl.endsWith(`id=${held}`));
+        });
+    });
+});
+
+test('a hold that expired while the server was down returns to its pool', async () => {
+    await withStateDir(async dir => {
+        const { held, reservationId, expiresAt } = await holdAndCrash(dir, RESERVE_ENV);
+        await new Promise(resolve => setTimeout(resolve, Math.max(Date.parse(expiresAt) - Date.now() + 500, 0)));
+
+        await runServer(dir, RESERVE_ENV, async second => {
+            assert.equal((await pooledIds(second))[0], held);
+            assert.equal((await second.json('POST', `/reserve/${reservationId}/confirm`)).status, 404);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+// End-to-end tests: the pool server runs as a child process with
+// EXCHANGE_PROVIDER=simulator, so the real scraping code drives local Chromium
+// through the fake SimpleSwap form it serves at /simulator.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { buy, chromiumSkipReason, runServer, waitFor, withServer, withStateDir } from './helpers.js';
+
+const BROWSER_TEST_TIMEOUT = 180000;
+
+const skipBrowser = await chromiumSkipReason();
+
+test('simulator serves the SimpleSwap form and injects failures on request', async () => {
+    await withServer({}, async server => {
+        // Keep the server's own refills away from the form while we probe it
+        assert.equal((await server.json('POST', '/admin/pools/19/pause')).status, 200);
+
+        const form = await fetch(`${server.baseUrl}/simulator/exchange?from=usd&to=pol&amount=19`);
+        assert.equal(form.status, 200);
+        const html = await form.text();
+        assert.match(html, /Recipient address/);
+        assert.match(html, />Create an exchange</);
+
+        const invalid = await server.json('PATCH', '/admin/simulator', { failNext: -1 });
+        assert.equal(invalid.status, 400);
+
+        const patched = await server.json('PATCH', '/admin/simulator', { failNext: 1 });
+        assert.equal(patched.body.settings.failNext, 1);
+        await assert.rejects(fetch(`${server.baseUrl}/simulator/exchange?from=usd&to=pol&amount=19`));
+        assert.equal((await fetch(`${server.baseUrl}/simulator/exchange?from=usd&to=pol&amount=19`)).status, 200);
+
+        const created = await server.json('POST', '/simulator/api/exchanges', { from: 'usd', to: 'pol', amount: '19', address: '0xabc0000000' });
+        assert.match(created.body.id, /^sim[0-9a-f]+$/);
+        const page = await fetch(`${server.baseUrl}/simulator/exchange?id=${created.body.id}`);
+        assert.match(await page.text(), /Awaiting your deposit/);
+
+        const { body: state } = await server.json('GET', '/admin/simulator');
+        assert.equal(state.failuresInjected, 1);
+        assert.equal(state.exchangesCreated, 1);
+    });
+});
+
+test('/buy-now hands out exchanges created through the simulated form', { skip: skipBrowser, timeout: BROWSER_TEST_TIMEOUT }, async () => {
+    await withServer({}, async server => {
+        await waitFor(async () => (await server.poolSize()) === 2, { what: 'pool to fill' });
+
+        const response = await buy(server);
+        assert.equal(response.status, 200);
+        const purchase = await response.json();
+        assert.equal(purchase.success, true);
+        assert.equal(purchase.poolStatus, 'instant');
+        assert.match(purchase.exchangeUrl, /\/simulator\/exchange\?id=sim[0-9a-f]+$/);
+
+        const exchangePage = await fetch(purchase.exchangeUrl);
+        assert.match(await exchangePage.text(), /Awaiting your deposit/);
+
+        // The purchase triggers a refill back to target
+        await waitFor(async () => (await server.poolSize()) === 2, { what: 'pool to refill' });
+        const { body: state } = await server.json('GET', '/admin/simulator');
+        assert.equal(state.exchangesCreated, 3);
+
+        const { body: report } = await server.json('GET', '/admin/reports/hourly');
+        assert.ok(report.totals[0].browserSessions >= 2, `${report.totals[0].browserSessions} browser sessions`);
+        assert.equal(report.totals[0].consumptions, 1);
+    });
+});
+
+test('validation reads the status element, not help text elsewhere on the page', { skip: skipBrowser, timeout: BROWSER_TEST_TIMEOUT }, async () => {
+    await withServer({ VALIDATION_ENABLED: 'true', VALIDATION_INTERVAL_MINUTES: '0.05', VALIDATION_QUARANTINE: 'true' }, async server => {
+        await waitFor(async () => (await server.poolSize()) === 2, { what: 'pool to fill' });
+
+        const { body: health } = await waitFor(async () => {
+            const response = await server.json('GET', '/health');
+            return response.body.poolStates['19'].validated === 2 && response;
+        }, { what: 'both pooled exchanges to validate' });
+        assert.equal(health.validation.totals.invalid, 0);
+        assert.equal(health.validation.quarantined, 0);
+        assert.equal(await server.poolSize(), 2);
+    });
+});
+
+for (const [mode, batchSize] of [['one session per exchange', '1'], ['batched sessions', '5']]) {
+    test(`replenishPool() retries past injected failures (${mode})`, { skip: skipBrowser, timeout: BROWSER_TEST_TIMEOUT }, async () => {
+        await withServer({ CREATION_BATCH_SIZE: batchSize, SIMULATOR_FAIL_EVERY: '2' }, async server => {
+            await waitFor(async () => (await server.poolSize()) === 2, { what: 'pool to fill' });
+
+            const { body: state } = await server.json('GET', '/admin/simulator');
+            assert.ok(state.failuresInjected >= 1, `expected injected failures, got ${state.failuresInjected}`);
+            assert.equal(state.exchangesCreated, 2);
+
+            const metrics = await (await server.request('GET', '/metrics')).text();
+            assert.match(metrics, /creation_attempts_total\{[^}]*outcome="failure"[^}]*\} [1-9]/);
+        });
+    });
+}
+
+test('pool and order ledger survive a restart', { skip: skipBrowser, timeout: BROWSER_TEST_TIMEOUT }, async () => {
+    await withStateDir(async dir => {
+        await runServer(dir, {}, async first => {
+            await waitFor(async () => (await first.poolSize()) === 2, { what: 'pool to fill' });
+            const purchase = await (await buy(first)).json();
+            assert.equal(purchase.success, true);
+            await waitFor(async () => (await first.poolSize()) === 2, { what: 'pool to refill' });
+        });
+
+        const saved = JSON.parse(await readFile(path.join(dir, 'exchange-pool.json'), 'utf8'));
+        const pooledIds = saved['19'].map(exchange => exchange.exchangeId);
+        assert.equal(pooledIds.length, 2);
+
+        await runServer(dir, {}, async second => {
+            assert.equal(await second.poolSize(), 2);
+            const { body: orders } = await second.json('GET', '/admin/orders');
+            assert.equal(orders.total, 1);
+
+            const purchase = await (await buy(second)).json();
+            assert.ok(pooledIds.some(id => purchase.exchangeUrl.endsWith(`id=${id}`)), `${purchase.exchangeUrl} was not pooled before the restart`);
+        });
+    });
+});
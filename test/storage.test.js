@@ -0,0 +1,88 @@
+// STORAGE_BACKEND=sqlite: the pool survives restarts and one database is shared
+// by several server processes, each with its own STATE_DIR. Mock provider; the
+// sqlite tests are skipped where node:sqlite is missing.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { buy, runServer, startServer, waitFor, withServer, withStateDir } from './helpers.js';
+
+const SQLITE_ENV = { EXCHANGE_PROVIDER: 'mock', STORAGE_BACKEND: 'sqlite', MOCK_PROVIDER_DELAY_MS: '200' };
+
+const skipSqlite = await import('node:sqlite').then(
+    () => false,
+    () => `node:sqlite unavailable in ${process.version} - run the tests on Node.js 22.13+`
+);
+
+async function buyJson(server) {
+    const response = await buy(server);
+    assert.equal(response.status, 200);
+    return response.json();
+}
+
+async function pooledIds(server) {
+    const { body } = await server.json('GET', '/admin/pools');
+    return body.pools['19'].map(exchange => exchange.exchangeId);
+}
+
+test('sqlite pool survives a restart', { skip: skipSqlite }, async () => {
+    await withStateDir(async dir => {
+        const saved = await runServer(dir, SQLITE_ENV, async first => {
+            await waitFor(async () => (await first.poolSize()) === 2, { what: 'pool to fill' });
+            await buyJson(first);
+            await waitFor(async () => (await first.poolSize()) === 2, { what: 'pool to refill' });
+            return pooledIds(first);
+        });
+
+        await runServer(dir, SQLITE_ENV, async second => {
+            assert.deepEqual(await pooledIds(second), saved);
+            assert.equal((await buyJson(second)).exchangeUrl.split('id=')[1], saved[0]);
+        });
+    });
+});
+
+test('two processes started together share one sqlite pool and keep their own state', { skip: skipSqlite, timeout: 120000 }, async () => {
+    await withStateDir(async dir => {
+        const stateDirs = ['a', 'b'].map(name => path.join(dir, name));
+        const shared = { ...SQLITE_ENV, SQLITE_FILE: path.join(dir, 'pool.sqlite'), PAYMENT_TRACKING_ENABLED: 'true' };
+        const servers = await Promise.all(stateDirs.map(STATE_DIR => startServer(dir, { ...shared, STATE_DIR })));
+        let urls;
+        try {
+            await waitFor(async () => {
+                const sizes = await Promise.all(servers.map(server => server.poolSize()));
+                return sizes.every(size => size === 2);
+            }, { what: 'both processes to see a full pool' });
+
+            // Both processes pop from the same table, so no exchange is handed out twice
+            const purchases = await Promise.all([buyJson(servers[0]), buyJson(servers[1]), buyJson(servers[0]), buyJson(servers[1])]);
+            urls = purchases.map(purchase => purchase.exchangeUrl);
+            assert.equal(new Set(urls).size, urls.length);
+
+            await waitFor(async () => {
+                const ids = await Promise.all(servers.map(pooledIds));
+                return ids.every(list => list.length === 2) && ids[0].join() === ids[1].join();
+            }, { what: 'the shared pool to refill' });
+            const pooled = await pooledIds(servers[0]);
+            assert.ok(pooled.every(id => !urls.some(url => url.endsWith(`id=${id}`))), 'a sold exchange is still pooled');
+        } finally {
+            for (const server of servers) assert.equal(await server.stop(), 0);
+        }
+
+        // Each process wrote its own files, so neither overwrote the other's sales
+        for (const [i, stateDir] of stateDirs.entries()) {
+            const sold = urls.filter((url, n) => n % 2 === i).map(url => url.split('id=')[1]);
+            const reports = JSON.parse(await readFile(path.join(stateDir, 'reports.json'), 'utf8'));
+            const consumptions = Object.values(reports.daily).reduce((sum, bucket) => sum + bucket.consumptions, 0);
+            assert.equal(consumptions, sold.length, `${stateDir} reports`);
+            const tracking = JSON.parse(await readFile(path.join(stateDir, 'payment-tracking.json'), 'utf8'));
+            assert.deepEqual(Object.keys(tracking.trackedExchanges).sort(), sold.sort(), `${stateDir} tracked exchanges`);
+        }
+    });
+});
+
+test('a second process refuses a STATE_DIR that is in use', async () => {
+    await withServer({ EXCHANGE_PROVIDER: 'mock' }, async (server, dir) => {
+        await assert.rejects(startServer(dir, { EXCHANGE_PROVIDER: 'mock' }), /in use by process/);
+        assert.equal((await server.json('GET', '/health')).status, 200);
+    });
+});
@@ -0,0 +1,133 @@
+// Multi-tenant storefronts: requests resolve to a tenant by key or Origin and
+// only ever see that tenant's pools, keys and counters. Uses the mock provider.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buy, runServer, waitFor, withServer, withStateDir } from './helpers.js';
+
+const SHOP_A = 'https://shop-a.example';
+const SHOP_B = 'https://shop-b.example';
+const SHOP_B_KEY = 'sk_shop_b_0123456789';
+const TENANTS = [
+    { id: 'shop-a', origins: [SHOP_A], wallet: '0xAAAA000000000000000000000000000000000001', pricePoints: [19, 29] },
+    { id: 'shop-b', apiKey: SHOP_B_KEY, origins: [SHOP_B], wallet: '0xBBBB000000000000000000000000000000000002', pricePoints: [19], poolSize: 1 }
+];
+const TENANT_ENV = { EXCHANGE_PROVIDER: 'mock', TENANTS: JSON.stringify(TENANTS) };
+
+function buyAs(server, headers, body) {
+    return buy(server, body, headers);
+}
+
+test('checkouts resolve to their tenant and stay inside its pools', async () => {
+    await withServer(TENANT_ENV, async server => {
+        await waitFor(async () => (await server.poolSize('shop-a-19')) === 2 && (await server.poolSize('shop-b-19')) === 1, { what: 'pools to fill' });
+
+        const { body: pools } = await server.json('GET', '/admin/pools');
+        const wallets = Object.fromEntries(pools.configs.map(config => [config.id, [config.tenant, config.wallet, config.size]]));
+        assert.deepEqual(wallets, {
+            'shop-a-19': ['shop-a', TENANTS[0].wallet, 2],
+            'shop-a-29': ['shop-a', TENANTS[0].wallet, 2],
+            'shop-b-19': ['shop-b', TENANTS[1].wallet, 1]
+        });
+
+        const configA = await (await fetch(`${server.baseUrl}/client/v1/config`, { headers: { Origin: SHOP_A } })).json();
+        assert.deepEqual(configA.prices, [19, 29]);
+        const configB = await fetch(`${server.baseUrl}/client/v1/config`, { headers: { Origin: SHOP_B } });
+        assert.equal(configB.headers.get('access-control-allow-origin'), SHOP_B);
+        assert.deepEqual((await configB.json()).pools.map(pool => pool.poolId), ['shop-b-19']);
+
+        const fromA = await (await buyAs(server, { Origin: SHOP_A, 'Idempotency-Key': 'order-1' })).json();
+        assert.equal(fromA.poolId, 'shop-a-19');
+        // Same key, other shop: a fresh checkout rather than shop A's exchange
+        const fromB = await (await buyAs(server, { 'X-Api-Key': SHOP_B_KEY, 'Idempotency-Key': 'order-1' })).json();
+        assert.equal(fromB.poolId, 'shop-b-19');
+        assert.notEqual(fromB.exchangeUrl, fromA.exchangeUrl);
+        assert.equal((await buyAs(server, { Origin: SHOP_B }, { poolId: '19' })).status, 200);
+
+        const wrongPool = await buyAs(server, { Origin: SHOP_B }, { amountUSD: 29 });
+        assert.equal(wrongPool.status, 400);
+        assert.deepEqual((await wrongPool.json()).availablePrices, [19]);
+        assert.equal((await buyAs(server, { Origin: SHOP_B }, { poolId: 'shop-a-19' })).status, 400);
+        assert.equal((await buyAs(server, { Origin: 'https://unknown.example' })).status, 403);
+        assert.equal((await buyAs(server, {})).status, 403);
+        assert.equal((await buyAs(server, { 'X-Api-Key': 'sk_not_a_shop_key_000' })).status, 401);
+
+        const { body: stats } = await server.json('GET', '/admin/stats');
+        assert.equal(stats.tenants['shop-a'].totalConsumed, 1);
+        assert.equal(stats.tenants['shop-b'].totalConsumed, 2);
+        assert.equal(stats.stats.totalConsumed, 3);
+
+        const { body: orders } = await server.json('GET', '/admin/orders?tenant=shop-b');
+        assert.equal(orders.total, 2);
+        assert.ok(orders.orders.every(order => order.tenant === 'shop-b' && order.poolKey === 'shop-b-19'));
+
+        const { body: tenants } = await server.json('GET', '/admin/tenants');
+        assert.deepEqual(tenants.tenants.map(tenant => [tenant.id, tenant.hasApiKey, tenant.pools.length]), [['shop-a', false, 2], ['shop-b', true, 1]]);
+        assert.doesNotMatch(JSON.stringify(tenants), new RegExp(SHOP_B_KEY));
+
+        const metrics = await (await server.request('GET', '/metrics')).text();
+        assert.match(metrics, /consumptions_total\{tenant="shop-b",pool="shop-b-19",price_point="19",pool_status="instant"\} 2/);
+    });
+});
+
+test('runtime pools stay with their tenant across restarts', async () => {
+    await withStateDir(async dir => {
+        await runServer(dir, TENANT_ENV, async first => {
+            const created = await first.json('POST', '/admin/pools', { tenant: 'shop-b', amount: 59, size: 1 });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.pool.id, 'shop-b-59');
+            assert.equal(created.body.pool.wallet, TENANTS[1].wallet);
+            assert.equal((await first.json('POST', '/admin/pools', { tenant: 'nobody', amount: 59 })).status, 400);
+            const clash = await first.json('POST', '/admin/pools', { tenant: 'shop-b', id: 'shop-a-19', amount: 19 });
+            assert.equal(clash.status, 409);
+            assert.match(clash.body.error, /tenant shop-b clashes with a pool of tenant shop-a/);
+        });
+
+        // shop-c is new since pool-config.json was written, so it keeps its TENANTS pools
+        const withShopC = [...TENANTS, { id: 'shop-c', origins: ['https://shop-c.example'], pricePoints: [9] }];
+        await runServer(dir, { ...TENANT_ENV, TENANTS: JSON.stringify(withShopC) }, async second => {
+            const { body } = await second.json('GET', '/admin/pools');
+            assert.deepEqual(body.configs.map(config => config.id).sort(), ['shop-a-19', 'shop-a-29', 'shop-b-19', 'shop-b-59', 'shop-c-9']);
+            const purchase = await buyAs(second, { 'X-Api-Key': SHOP_B_KEY }, { amountUSD: 59 });
+            assert.equal((await purchase.json()).poolId, 'shop-b-59');
+        });
+    });
+});
+
+test('the default tenant shares neither idempotency keys nor pool ids with other tenants', async () => {
+    const tenants = [{ id: 'default', pricePoints: [19] }, { id: 'shop-a', origins: [SHOP_A], pricePoints: [19] }];
+    await withServer({ EXCHANGE_PROVIDER: 'mock', TENANTS: JSON.stringify(tenants) }, async server => {
+        await waitFor(async () => (await server.poolSize('19')) === 2 && (await server.poolSize('shop-a-19')) === 2, { what: 'pools to fill' });
+
+        const fromA = await (await buyAs(server, { Origin: SHOP_A, 'Idempotency-Key': 'order-1' })).json();
+        assert.equal(fromA.poolId, 'shop-a-19');
+        // A default-tenant key spelled like shop-a's scoped key is still the default tenant's own
+        const lookalike = await buyAs(server, { 'Idempotency-Key': 'shop-a:order-1' });
+        assert.equal(lookalike.status, 200);
+        const fromDefault = await lookalike.json();
+        assert.equal(fromDefault.poolId, '19');
+        assert.notEqual(fromDefault.exchangeUrl, fromA.exchangeUrl);
+    });
+});
+
+test('API-key checkouts count against their tenant, not the shared IP limit', async () => {
+    const SHOP_C_KEY = 'sk_shop_c_0123456789';
+    const tenants = [
+        TENANTS[0],
+        { ...TENANTS[1], rateLimit: 4 },
+        { id: 'shop-c', apiKey: SHOP_C_KEY, pricePoints: [19], poolSize: 1 }
+    ];
+    await withServer({ EXCHANGE_PROVIDER: 'mock', TENANTS: JSON.stringify(tenants), RATE_LIMIT_IP_MAX: '2' }, async server => {
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await buyAs(server, { 'X-Api-Key': SHOP_B_KEY })).status, 200, `shop-b checkout ${i + 1}`);
+        }
+        const limited = await buyAs(server, { 'X-Api-Key': SHOP_B_KEY });
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+        // Neither another key-based tenant nor browser checkouts from the same IP are affected
+        assert.equal((await buyAs(server, { 'X-Api-Key': SHOP_C_KEY })).status, 200);
+        assert.equal((await buyAs(server, { Origin: SHOP_A })).status, 200);
+        assert.equal((await buyAs(server, { 'X-Api-Key': 'sk_wrong_0123456789' })).status, 401);
+        assert.equal((await buyAs(server, { Origin: SHOP_A })).status, 429);
+    });
+});